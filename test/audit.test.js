@@ -0,0 +1,10 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("requestIp trusts exactly TRUST_PROXY_HOPS forwarded entries", () => {
+  const req = (fwd) => ({ headers: fwd ? { "x-forwarded-for": fwd } : {}, socket: { remoteAddress: "10.0.0.9" } });
+  assert.equal(gg.requestIp(req("1.1.1.1, 2.2.2.2")), "2.2.2.2");
+  assert.equal(gg.requestIp(req("2.2.2.2")), "2.2.2.2");
+  assert.equal(gg.requestIp(req(null)), "10.0.0.9");
+});
@@ -0,0 +1,15 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import gg from "./load.js";
+
+test("hashPassword / verifyPassword", async () => {
+  const stored = await gg.hashPassword("hunter2");
+  assert.match(stored, /^scrypt\$/);
+  assert.deepEqual(await gg.verifyPassword("hunter2", stored), { ok: true, legacy: false });
+  assert.deepEqual(await gg.verifyPassword("hunter3", stored), { ok: false, legacy: false });
+
+  const legacy = crypto.createHash("sha256").update("old").digest("hex");
+  assert.deepEqual(await gg.verifyPassword("old", legacy), { ok: true, legacy: true });
+  assert.deepEqual(await gg.verifyPassword("x", null), { ok: false, legacy: false });
+});
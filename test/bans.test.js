@@ -0,0 +1,23 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+const HOUR = 60 * 60 * 1000;
+
+test("parseBanDuration", () => {
+  assert.equal(gg.parseBanDuration(undefined), null);
+  assert.equal(gg.parseBanDuration("P"), null);
+  assert.equal(gg.parseBanDuration("permanent"), null);
+  assert.equal(gg.parseBanDuration("12h"), 12 * HOUR);
+  assert.equal(gg.parseBanDuration("2w"), 14 * 24 * HOUR);
+  assert.equal(gg.parseBanDuration("PT2H"), 2 * HOUR);
+  assert.equal(gg.parseBanDuration("P1DT1H"), 25 * HOUR);
+  assert.equal(gg.parseBanDuration("0h"), undefined);
+  assert.equal(gg.parseBanDuration("soon"), undefined);
+});
+
+test("normalizeIdentifiers lowercases, dedupes and accepts the object form", () => {
+  assert.deepEqual(gg.normalizeIdentifiers(["License:ABC", "license:abc", "noprefix", 5, " steam:1 "]), ["license:abc", "steam:1"]);
+  assert.deepEqual(gg.normalizeIdentifiers({ license: "ABC", tokens: ["2:ff"], discord: null }), ["license:abc", "2:ff"]);
+  assert.deepEqual(gg.normalizeIdentifiers("license:abc"), []);
+});
@@ -0,0 +1,10 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("blockedDetectionModule finds enabled modules outside the plan", () => {
+  const basic = { detection_modules: ["noclip", "speed"] };
+  assert.equal(gg.blockedDetectionModule({ noclip: { enabled: true }, godmode: { enabled: false } }, basic), null);
+  assert.equal(gg.blockedDetectionModule({ noclip: { enabled: true }, godmode: { enabled: true } }, basic), "godmode");
+  assert.equal(gg.blockedDetectionModule({ godmode: { enabled: true } }, { detection_modules: ["*"] }), null);
+});
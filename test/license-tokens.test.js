@@ -0,0 +1,13 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("signLicenseToken never outlives the license", () => {
+  const soon = new Date(Date.now() + 60 * 1000).toISOString();
+  const { token, exp } = gg.signLicenseToken({ license_key: "k", license_expires_at: soon });
+  assert.equal(exp, Math.floor(new Date(soon).getTime() / 1000));
+  assert.equal(JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString()).exp, exp);
+
+  const open = gg.signLicenseToken({ license_key: "k", license_expires_at: null });
+  assert.ok(open.exp > exp);
+});
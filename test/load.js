@@ -0,0 +1,7 @@
+// index.js builds its Supabase client and config at import time; point it at nothing before loading
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || "http://127.0.0.1:1";
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || "test";
+process.env.TRUST_PROXY_HOPS = "1";
+
+const gg = await import("../index.js");
+export default gg;
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("validateLogItem accepts a full item and normalizes warning", () => {
+  const { value, error } = gg.validateLogItem({ level: "WARNING", type: "anticheat", title: "AC", message: "hi", meta: { a: 1 } });
+  assert.equal(error, undefined);
+  assert.deepEqual(value, { level: "warn", type: "anticheat", title: "AC", message: "hi", meta: { a: 1 } });
+});
+
+test("validateLogItem rejects bad items", () => {
+  assert.equal(gg.validateLogItem(null).error, "INVALID_ITEM");
+  assert.equal(gg.validateLogItem([]).error, "INVALID_ITEM");
+  assert.equal(gg.validateLogItem({ message: "  " }).error, "MISSING_MESSAGE");
+  assert.equal(gg.validateLogItem({ message: "x".repeat(4001) }).error, "MESSAGE_TOO_LONG");
+  assert.equal(gg.validateLogItem({ message: "x", level: "fatal" }).error, "INVALID_LEVEL");
+  assert.equal(gg.validateLogItem({ message: "x", type: 5 }).error, "INVALID_TYPE");
+  assert.equal(gg.validateLogItem({ message: "x", title: "t".repeat(129) }).error, "INVALID_TITLE");
+  assert.equal(gg.validateLogItem({ message: "x", meta: "str" }).error, "INVALID_META");
+  assert.equal(gg.validateLogItem({ message: "x", meta: { big: "y".repeat(9000) } }).error, "META_TOO_LARGE");
+});
+
+test("lenientLogItem coerces instead of rejecting", () => {
+  const item = gg.lenientLogItem({ level: "fatal", type: 12, title: "", message: "z".repeat(5000) });
+  assert.equal(item.level, "info");
+  assert.equal(item.type, "12");
+  assert.equal(item.title, undefined);
+  assert.equal(item.message.length, 4000);
+  assert.equal(gg.lenientLogItem({ level: "Warning", message: 42 }).message, "42");
+  assert.equal(gg.lenientLogItem({ level: "Warning", message: 42 }).level, "warn");
+});
+
+test("takeLogTokens grants up to the bucket and then nothing", () => {
+  const key = "test-" + Date.now();
+  assert.equal(gg.takeLogTokens(key, 500), 500);
+  assert.equal(gg.takeLogTokens(key, 500), 100);
+  assert.equal(gg.takeLogTokens(key, 10), 0);
+});
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("log cursors round-trip with microseconds and reject filter injection", () => {
+  const cursor = gg.encodeLogCursor({ created_at: "2024-05-01T10:00:00.123456+00:00", id: 42 });
+  assert.deepEqual(gg.decodeLogCursor(cursor), { created_at: "2024-05-01T10:00:00.123456Z", id: "42" });
+
+  const evil = Buffer.from('2024-05-01T10:00:00Z",id.gt.0|1').toString("base64url");
+  assert.equal(gg.decodeLogCursor(evil), null);
+  assert.equal(gg.decodeLogCursor(Buffer.from("2024-05-01T10:00:00Z|abc").toString("base64url")), null);
+  assert.equal(gg.decodeLogCursor("not a cursor"), null);
+});
+
+test("normalizeLogTimestamp converts offsets to UTC", () => {
+  assert.equal(gg.normalizeLogTimestamp("2024-05-01T10:00:00+02"), "2024-05-01T08:00:00.000000Z");
+  assert.equal(gg.normalizeLogTimestamp("2024-05-01 10:00:00.1-0130"), "2024-05-01T11:30:00.100000Z");
+  assert.equal(gg.normalizeLogTimestamp("2024-05-01"), null);
+});
+
+test("csvCell quotes and defuses spreadsheet formulas", () => {
+  assert.equal(gg.csvCell(null), "");
+  assert.equal(gg.csvCell("plain"), "plain");
+  assert.equal(gg.csvCell('a,"b"'), '"a,""b"""');
+  assert.equal(gg.csvCell("=HYPERLINK(1)"), "'=HYPERLINK(1)");
+  assert.equal(gg.csvCell("-1,2"), "\"'-1,2\"");
+  assert.equal(gg.csvCell({ a: 1 }), '"{""a"":1}"');
+});
@@ -0,0 +1,15 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("validatePlanLimits keeps known keys and checks their types", () => {
+  assert.deepEqual(gg.validatePlanLimits({ max_panel_admins: null, log_retention_days: 0, unknown: 1 }).value, {
+    max_panel_admins: null,
+    log_retention_days: 0,
+  });
+  assert.equal(gg.validatePlanLimits({ max_panel_admins: -1 }).error, "INVALID_MAX_PANEL_ADMINS");
+  assert.equal(gg.validatePlanLimits({ log_retention_days: 1.5 }).error, "INVALID_LOG_RETENTION_DAYS");
+  assert.equal(gg.validatePlanLimits({ log_retention_days: "30" }).error, "INVALID_LOG_RETENTION_DAYS");
+  assert.equal(gg.validatePlanLimits({ detection_modules: "*" }).error, "INVALID_DETECTION_MODULES");
+  assert.equal(gg.validatePlanLimits({ webhooks: "yes" }).error, "INVALID_WEBHOOKS");
+});
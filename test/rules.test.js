@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("validateRule builds a normalized rule", () => {
+  const { value, error } = gg.validateRule({
+    name: " Speed ",
+    source: "detection",
+    conditions: { module: "speed", count: 3, window_s: 60 },
+    action: { type: "ban", duration: "1d", reason: "speed" },
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(value, {
+    name: "Speed",
+    source: "detection",
+    conditions: { count: 3, window_s: 60, module: "speed" },
+    action: { type: "ban", duration: "1d", reason: "speed" },
+    enabled: true,
+    dry_run: false,
+  });
+});
+
+test("validateRule rejects bad input", () => {
+  const base = { name: "r", source: "log", action: { type: "kick" } };
+  assert.equal(gg.validateRule({ ...base, name: "" }).error, "INVALID_NAME");
+  assert.equal(gg.validateRule({ ...base, source: "chat" }).error, "INVALID_SOURCE");
+  assert.equal(gg.validateRule({ ...base, conditions: { count: 0 } }).error, "INVALID_COUNT");
+  assert.equal(gg.validateRule({ ...base, conditions: { window_s: 1.5 } }).error, "INVALID_WINDOW");
+  assert.equal(gg.validateRule({ ...base, source: "detection", conditions: { module: "nope" } }).error, "UNKNOWN_MODULE");
+  assert.equal(gg.validateRule({ ...base, conditions: { level: 3 } }).error, "INVALID_CONDITION");
+  assert.equal(gg.validateRule({ ...base, action: { type: "nuke" } }).error, "INVALID_ACTION");
+  assert.equal(gg.validateRule({ ...base, action: { type: "ban", duration: "forever-ish" } }).error, "INVALID_DURATION");
+});
@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import gg from "./load.js";
+
+test("isBlockedAddress covers private, reserved and mapped ranges", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.1.1", "0.0.0.0", "::", "::1", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:8.8.8.8"]) {
+    assert.equal(gg.isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "2606:4700::1"]) {
+    assert.equal(gg.isBlockedAddress(ip), false, ip);
+  }
+  assert.equal(gg.isBlockedAddress("example.com"), true);
+});
+
+test("isAllowedWebhookUrl only takes public https targets", () => {
+  assert.equal(gg.isAllowedWebhookUrl("https://example.com/hook"), true);
+  assert.equal(gg.isAllowedWebhookUrl("https://8.8.8.8/hook"), true);
+
+  for (const url of [
+    "http://example.com/hook",
+    "https://user:pw@example.com/hook",
+    "https://localhost/hook",
+    "https://svc.internal/hook",
+    "https://[::]/hook",
+    "https://[::ffff:7f00:1]/hook",
+    "https://100.64.0.1/hook",
+    "https://2130706433/hook",
+    "not a url",
+  ]) {
+    assert.equal(gg.isAllowedWebhookUrl(url), false, url);
+  }
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+
+// unsigned sockets are only accepted inside the grace window
+process.env.SERVER_AUTH_GRACE_UNTIL = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const { default: gg } = await import("./load.js");
+
+test("an oversized frame closes that socket and the backend keeps serving", async () => {
+  const server = gg.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = "127.0.0.1:" + server.address().port;
+
+  try {
+    const ws = new WebSocket(`ws://${base}/api/server/ws?license_key=ws-test`);
+    await new Promise((resolve, reject) => {
+      ws.once("message", resolve);
+      ws.once("error", reject);
+    });
+
+    const closed = new Promise((resolve) => ws.once("close", resolve));
+    ws.on("error", () => {});
+    ws.send(Buffer.alloc(3 * 1024 * 1024));
+    const code = await closed;
+    assert.notEqual(code, 1000);
+
+    const res = await fetch(`http://${base}/version`);
+    assert.equal(res.status, 200);
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+});